@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp, accessToken } = require('./helpers/app');
+
+const owner = accessToken('owner@example.com');
+let server;
+
+before(async () => {
+  server = await startApp();
+});
+
+after(() => server.close());
+
+const addPet = async (fields = {}) => (await server.collection('pet').insertOne({
+  pet_name: 'Buddy', email: 'owner@example.com', status: 'approved', purpose: 'pet', adopted: false, deletedAt: null, ...fields
+})).insertedId.toString();
+const petOf = (id) => server.collection('pet').findOne({ _id: new ObjectId(id) });
+const requestOf = (id) => server.collection('adoptionRequest').findOne({ _id: new ObjectId(id) });
+
+async function submit(email, petId) {
+  const response = await server.request('POST', '/adoption', { token: accessToken(email), body: { petId, adopterName: 'Ada' } });
+  assert.equal(response.status, 200);
+  return response.body.insertedId;
+}
+const setStatus = (id, status, token = owner, reason) => server.request('PUT', `/adoption/${id}/status`, { token, body: { status, reason } });
+
+test('an illegal transition is a 409 and leaves the request alone', async () => {
+  const petId = await addPet();
+  const id = await submit('early@example.com', petId);
+
+  const completed = await setStatus(id, 'completed');
+  assert.equal(completed.status, 409);
+  assert.equal(completed.body.code, 'conflict');
+  assert.equal((await requestOf(id)).status, 'submitted');
+
+  assert.equal((await setStatus(id, 'rejected', owner, 'Not a match')).status, 200);
+  const approved = await setStatus(id, 'approved');
+  assert.equal(approved.status, 409);
+  assert.equal((await requestOf(id)).status, 'rejected');
+  assert.equal((await petOf(petId)).adopted, false);
+});
+
+test('approving one request adopts the pet and closes the other open requests', async () => {
+  const petId = await addPet();
+  const chosen = await submit('chosen@example.com', petId);
+  const other = await submit('other@example.com', petId);
+  const reviewed = await submit('reviewed@example.com', petId);
+  assert.equal((await setStatus(reviewed, 'under_review')).status, 200);
+
+  const response = await setStatus(chosen, 'approved', owner, 'Welcome');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.closedRequests, 2);
+  assert.equal((await petOf(petId)).adopted, true);
+
+  for (const id of [other, reviewed]) {
+    const closed = await requestOf(id);
+    assert.equal(closed.status, 'closed');
+    assert.equal(closed.history.at(-1).reason, 'Another adoption request was approved');
+  }
+  // closed requests can't be reopened
+  assert.equal((await setStatus(other, 'approved')).status, 409);
+});
+
+test('each transition is recorded in the request history', async () => {
+  const petId = await addPet();
+  const id = await submit('history@example.com', petId);
+  await setStatus(id, 'under_review');
+  await setStatus(id, 'approved', owner, 'Home visit went well');
+  await setStatus(id, 'completed');
+
+  const { history } = (await server.request('GET', `/adoption/${id}`, { token: accessToken('history@example.com') })).body;
+  assert.deepEqual(history.map(entry => [entry.from, entry.to]), [
+    [null, 'submitted'], ['submitted', 'under_review'], ['under_review', 'approved'], ['approved', 'completed']
+  ]);
+  assert.deepEqual(history.map(entry => entry.by), ['history@example.com', 'owner@example.com', 'owner@example.com', 'owner@example.com']);
+  assert.equal(history[2].reason, 'Home visit went well');
+});
+
+test('the database keeps one open request per adopter and pet', async () => {
+  const petId = await addPet();
+  const id = await submit('unique@example.com', petId);
+  const requests = server.collection('adoptionRequest');
+  const duplicate = () => requests.insertOne({ petId, adopterEmail: 'unique@example.com', status: 'submitted' });
+
+  await assert.rejects(duplicate(), { code: 11000 });
+
+  // once the first one is decided a new request is fine
+  await setStatus(id, 'withdrawn', accessToken('unique@example.com'));
+  await duplicate();
+  assert.equal(await requests.countDocuments({ petId, adopterEmail: 'unique@example.com' }), 2);
+});
+
+test('marking a pet adopted closes its requests and refuses sold or reserved pets', async () => {
+  const petId = await addPet();
+  const open = await submit('waiting@example.com', petId);
+
+  const response = await server.request('PUT', `/pet/adopted/${petId}`, { token: owner });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.closedRequests, 1);
+  assert.equal((await petOf(petId)).adopted, true);
+  assert.equal((await requestOf(open)).status, 'closed');
+  assert.equal((await server.request('PUT', `/pet/adopted/${petId}`, { token: owner })).status, 409);
+
+  const sold = await addPet({ sold: true });
+  assert.equal((await server.request('PUT', `/pet/adopted/${sold}`, { token: owner })).status, 409);
+
+  const reserved = await addPet({ reservation: { expiresAt: new Date(Date.now() + 60 * 60 * 1000) } });
+  assert.equal((await server.request('PUT', `/pet/adopted/${reserved}`, { token: owner })).status, 409);
+  assert.equal((await petOf(reserved)).adopted, false);
+});
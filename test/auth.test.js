@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startApp } = require('./helpers/app');
+
+let server;
+
+before(async () => {
+  server = await startApp();
+});
+
+after(() => server.close());
+
+// Logs in through the fake identity verifier ("fake:<email>")
+const login = (email) => server.request('POST', '/jwt', { body: { idToken: `fake:${email}` } });
+const refresh = (refreshToken) => server.request('POST', '/jwt/refresh', { body: { refreshToken } });
+
+test('POST /jwt issues an access and a refresh token and creates the user', async () => {
+  const response = await login('new.user@example.com');
+  assert.equal(response.status, 200);
+  assert.ok(response.body.refreshToken);
+
+  const claims = jwt.verify(response.body.token, process.env.ACCESS_TOKEN_SECRET);
+  assert.equal(claims.email, 'new.user@example.com');
+  assert.equal(claims.tokenType, 'access');
+  assert.ok(await server.collection('user').findOne({ email: 'new.user@example.com' }));
+
+  const profile = await server.request('GET', '/users/me/profile', { token: response.body.token });
+  assert.equal(profile.status, 200);
+});
+
+test('POST /jwt rejects an ID token the verifier does not accept', async () => {
+  const response = await server.request('POST', '/jwt', { body: { idToken: 'not-a-fake-token' } });
+  assert.equal(response.status, 401);
+});
+
+test('the refresh token is not accepted as an access token', async () => {
+  const { body } = await login('mixup@example.com');
+  const response = await server.request('GET', '/users/me/profile', { token: body.refreshToken });
+  assert.equal(response.status, 401);
+});
+
+test('refreshing rotates the token, and reusing the old one revokes the whole login', async () => {
+  const first = (await login('rotate@example.com')).body;
+
+  const second = await refresh(first.refreshToken);
+  assert.equal(second.status, 200);
+  assert.notEqual(second.body.refreshToken, first.refreshToken);
+
+  const reused = await refresh(first.refreshToken);
+  assert.equal(reused.status, 401);
+
+  // the token issued by the legitimate rotation died with the family
+  const afterReuse = await refresh(second.body.refreshToken);
+  assert.equal(afterReuse.status, 401);
+  const live = await server.collection('refreshTokens').countDocuments({ email: 'rotate@example.com', revokedAt: null });
+  assert.equal(live, 0);
+});
+
+test('logout revokes the refresh token', async () => {
+  const { body } = await login('leaving@example.com');
+  const response = await server.request('POST', '/logout', { body: { refreshToken: body.refreshToken } });
+  assert.equal(response.status, 200);
+  assert.equal((await refresh(body.refreshToken)).status, 401);
+});
+
+test('logout from all devices revokes every login of the user', async () => {
+  const phone = (await login('everywhere@example.com')).body;
+  const laptop = (await login('everywhere@example.com')).body;
+
+  const response = await server.request('POST', '/logout/all', { token: laptop.token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.revoked, 2);
+  assert.equal((await refresh(phone.refreshToken)).status, 401);
+  assert.equal((await refresh(laptop.refreshToken)).status, 401);
+});
+
+test('a deleted account cannot log in', async () => {
+  await server.collection('user').insertOne({ email: 'gone@example.com', deletedAt: new Date() });
+  const response = await login('gone@example.com');
+  assert.equal(response.status, 403);
+});
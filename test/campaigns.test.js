@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, accessToken } = require('./helpers/app');
+const { createFakeStripe } = require('./helpers/fake-stripe');
+
+const owner = 'owner@example.com';
+const token = accessToken(owner);
+const fake = createFakeStripe();
+let server;
+
+before(async () => {
+  server = await startApp({ stripe: fake.stripe });
+});
+
+after(() => server.close());
+
+const campaigns = () => server.collection('donates');
+const addCampaign = async (fields = {}) => (await campaigns().insertOne({
+  petName: 'Buddy', email: owner, maxDonation: 100, donatedAmount: 0, status: 'active', pause: false, moderationStatus: 'approved', deletedAt: null, ...fields
+})).insertedId;
+
+test('a closed campaign cannot be edited, paused or resumed', async () => {
+  const id = await addCampaign({ status: 'closed', closedReason: 'deadline' });
+  for (const [method, path, body] of [
+    ['PATCH', `/updateDonation-camp/${id}`, { maxDonation: 500 }],
+    ['PATCH', `/donation-camp/pause/${id}`],
+    ['PATCH', `/donation-camp/unpause/${id}`]
+  ]) {
+    const response = await server.request(method, path, { token, body });
+    assert.equal(response.status, 409, `${method} ${path}`);
+  }
+  const camp = await campaigns().findOne({ _id: id });
+  assert.equal(camp.maxDonation, 100);
+  assert.equal(camp.pause, false);
+});
+
+test('a deleted campaign is not found', async () => {
+  const id = await addCampaign({ deletedAt: new Date() });
+  const response = await server.request('PATCH', `/donation-camp/pause/${id}`, { token });
+  assert.equal(response.status, 404);
+  assert.equal((await campaigns().findOne({ _id: id })).pause, false);
+});
+
+test('lowering the goal to the amount already raised closes the campaign', async () => {
+  const id = await addCampaign({ donatedAmount: 80 });
+  const response = await server.request('PATCH', `/updateDonation-camp/${id}`, { token, body: { maxDonation: 80 } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.closed, true);
+
+  const camp = await campaigns().findOne({ _id: id });
+  assert.equal(camp.status, 'closed');
+  assert.equal(camp.closedReason, 'goal_reached');
+});
+
+test('raising the goal keeps the campaign open', async () => {
+  const id = await addCampaign({ donatedAmount: 80 });
+  const response = await server.request('PATCH', `/updateDonation-camp/${id}`, { token, body: { maxDonation: 200 } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.closed, false);
+  assert.equal((await campaigns().findOne({ _id: id })).status, 'active');
+});
+
+test('retitling an approved campaign sends it back to review', async () => {
+  const id = await addCampaign();
+  const response = await server.request('PATCH', `/updateDonation-camp/${id}`, { token, body: { title: 'A new title' } });
+  assert.equal(response.body.resubmitted, true);
+  assert.equal((await campaigns().findOne({ _id: id })).moderationStatus, 'pending');
+});
+
+test('a campaign approved before moderation existed is also re-reviewed after a text edit', async () => {
+  const id = await addCampaign();
+  await campaigns().updateOne({ _id: id }, { $unset: { moderationStatus: '' } });
+  const response = await server.request('PATCH', `/updateDonation-camp/${id}`, { token, body: { longDescription: 'Rewritten' } });
+  assert.equal(response.body.resubmitted, true);
+  assert.equal((await campaigns().findOne({ _id: id })).moderationStatus, 'pending');
+});
+
+test('retrying a failed donation refund is a new Stripe request', async () => {
+  const id = await addCampaign({ donatedAmount: 25 });
+  const donationId = (await server.collection('donations').insertOne({
+    postId: id.toString(), email: 'donor@example.com', donatedAmount: 25, paymentIntentId: 'pi_refund_retry', status: 'succeeded'
+  })).insertedId;
+
+  const createRefund = fake.stripe.refunds.create;
+  const keys = [];
+  let failing = true;
+  fake.stripe.refunds.create = async (params, options) => {
+    keys.push(options.idempotencyKey);
+    if (failing) throw new Error('card_declined');
+    return createRefund(params, options);
+  };
+  try {
+    const first = await server.request('POST', `/donation-camp/${id}/refund`, { token });
+    assert.equal(first.body.donors[0].status, 'failed');
+    assert.equal((await server.collection('donations').findOne({ _id: donationId })).status, 'refund_failed');
+
+    failing = false;
+    const retry = await server.request('POST', `/donation-camp/${id}/refund`, { token });
+    assert.equal(retry.body.donors[0].status, 'refunded');
+  } finally {
+    fake.stripe.refunds.create = createRefund;
+  }
+  assert.deepEqual(keys, [`camp-refund:${donationId}:1`, `camp-refund:${donationId}:2`]);
+  assert.equal((await campaigns().findOne({ _id: id })).donatedAmount, 0);
+});
@@ -0,0 +1,65 @@
+// Boots the server on a random port against the in-memory database. Environment overrides must
+// be set before the first startApp() call, since index.js reads its settings when it is loaded.
+const { once } = require('events');
+const jwt = require('jsonwebtoken');
+const { createFakeMongoClient } = require('./fake-mongo');
+
+const testEnv = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  ACCESS_TOKEN_SECRET: 'test-access-secret',
+  AUTH_VERIFIER: 'fake',
+  MAIL_TRANSPORT: 'disabled',
+  JOB_SCHEDULER: 'external',
+  RATE_LIMIT_STORE: 'off',
+  STRIPE_SECRET_KEY: 'sk_test_unused',
+  STRIPE_WEBHOOK_SECRET: 'whsec_test'
+};
+
+async function startApp({ env = {}, stripe, transporter } = {}) {
+  for (const [key, value] of Object.entries({ ...testEnv, ...env })) {
+    if (process.env[key] === undefined || key in env) process.env[key] = value;
+  }
+  const { app, run } = require('../../index.js');
+  const client = createFakeMongoClient();
+  await run({ client, ...(stripe ? { stripe } : {}), ...(transporter ? { transporter } : {}) });
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const db = client.db('pawpalaceDB');
+
+  // Sends JSON (or a raw string body) and resolves to { status, headers, body }
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    return { status: response.status, headers: response.headers, body: json };
+  }
+
+  return {
+    db,
+    collection: (name) => db.collection(name),
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// An access token like the ones POST /jwt issues
+function accessToken(email, role = 'user') {
+  return jwt.sign({ email, role, tokenType: 'access' }, process.env.ACCESS_TOKEN_SECRET || testEnv.ACCESS_TOKEN_SECRET, { expiresIn: '15m' });
+}
+
+module.exports = { startApp, accessToken };
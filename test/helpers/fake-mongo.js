@@ -0,0 +1,232 @@
+// In-memory stand-in for the parts of the MongoDB driver the server uses. Queries and update
+// operators are evaluated by mingo; unique (and partial unique) indexes are enforced so
+// duplicate-key paths (error code 11000) behave like the real server.
+const mingo = require('mingo');
+const { ObjectId } = require('mongodb');
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+}
+
+const matches = (filter, doc) => new mingo.Query(filter || {}).test(doc);
+
+function project(doc, projection) {
+  if (!doc || !projection || !Object.keys(projection).length) return clone(doc);
+  return clone(mingo.find([doc], {}, projection).next());
+}
+
+// Equality parts of a filter become the fields of an upserted document
+function upsertSeed(filter) {
+  const seed = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key.startsWith('$')) continue;
+    if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ObjectId) &&
+      Object.keys(value).some(k => k.startsWith('$'))) continue;
+    // mingo refuses to $set _id, which is immutable
+    if (key === '_id') seed._id = clone(value);
+    else mingo.update(seed, { $set: { [key]: clone(value) } });
+  }
+  return seed;
+}
+
+function valueAt(doc, path) {
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+}
+
+// A missing field indexes as null, like in MongoDB
+const keyOf = (doc, fields) => JSON.stringify(fields.map(f => valueAt(doc, f) ?? null));
+
+function duplicateKeyError(collection, index) {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} index: ${index.name}`);
+  error.code = 11000;
+  return error;
+}
+
+class FakeCursor {
+  constructor(load) {
+    this.load = load;
+    this.steps = [];
+  }
+
+  sort(spec) { this.steps.push(c => c.sort(spec)); return this; }
+  skip(n) { this.steps.push(c => c.skip(n)); return this; }
+  limit(n) { this.steps.push(c => c.limit(n)); return this; }
+  project(spec) { this.projection = spec; return this; }
+
+  async toArray() {
+    const { docs, projection } = this.load();
+    let cursor = mingo.find(docs, {});
+    for (const step of this.steps) cursor = step(cursor);
+    return cursor.all().map(doc => project(doc, this.projection || projection));
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class FakeCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    const name = options.name || Object.entries(keys).map(([k, v]) => `${k}_${v}`).join('_');
+    if (options.unique) this.uniqueIndexes.push({ name, fields: Object.keys(keys), partial: options.partialFilterExpression, sparse: options.sparse });
+    return name;
+  }
+
+  checkUnique(candidate, except) {
+    for (const index of this.uniqueIndexes) {
+      if (index.partial && !matches(index.partial, candidate)) continue;
+      if (index.sparse && index.fields.every(f => valueAt(candidate, f) === undefined)) continue;
+      const key = keyOf(candidate, index.fields);
+      const clash = this.docs.some(doc => doc !== except &&
+        (!index.partial || matches(index.partial, doc)) &&
+        keyOf(doc, index.fields) === key);
+      if (clash) throw duplicateKeyError(this.collectionName, index);
+    }
+  }
+
+  async insertOne(doc) {
+    if (!doc._id) doc._id = new ObjectId();
+    const stored = clone(doc);
+    if (this.docs.some(d => String(d._id) === String(stored._id))) throw duplicateKeyError(this.collectionName, { name: '_id_' });
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  find(filter = {}, options = {}) {
+    return new FakeCursor(() => ({ docs: this.docs.filter(d => matches(filter, d)), projection: options.projection }));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return project(this.docs.find(d => matches(filter, d)) || null, options.projection);
+  }
+
+  async countDocuments(filter = {}) {
+    return this.docs.filter(d => matches(filter, d)).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.docs.filter(d => matches(filter, d)).map(d => mingo.find([d], {}, { _id: 0, [field]: 1 }).next()?.[field]);
+    return [...new Map(values.filter(v => v !== undefined).map(v => [String(v), v])).values()];
+  }
+
+  aggregate(pipeline) {
+    return new FakeCursor(() => ({ docs: mingo.aggregate(this.docs, pipeline) }));
+  }
+
+  // Applies `update` to one stored document in place; returns whether anything changed
+  applyUpdate(doc, update, options = {}) {
+    const { $setOnInsert, ...operators } = update;
+    const next = clone(doc);
+    const changed = Object.keys(operators).length ? mingo.update(next, operators, options.arrayFilters) : [];
+    if (!changed.length) return false;
+    this.checkUnique(next, doc);
+    for (const key of Object.keys(doc)) delete doc[key];
+    Object.assign(doc, next);
+    return true;
+  }
+
+  async upsert(filter, update) {
+    const { $setOnInsert = {}, ...operators } = update;
+    const doc = upsertSeed(filter);
+    if (Object.keys(operators).length) mingo.update(doc, operators);
+    if (Object.keys($setOnInsert).length) mingo.update(doc, { $set: $setOnInsert });
+    await this.insertOne(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const doc = this.docs.find(d => matches(filter, d));
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const inserted = await this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    const modified = this.applyUpdate(doc, update, options);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.docs.filter(d => matches(filter, d));
+    let modifiedCount = 0;
+    for (const doc of docs) if (this.applyUpdate(doc, update, options)) modifiedCount++;
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0 };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    let doc = options.sort
+      ? mingo.find(this.docs.filter(d => matches(filter, d)), {}).sort(options.sort).next()
+      : this.docs.find(d => matches(filter, d));
+    if (!doc) {
+      if (!options.upsert) return null;
+      const inserted = await this.upsert(filter, update);
+      return options.returnDocument === 'after' ? project(inserted, options.projection) : null;
+    }
+    const before = clone(doc);
+    this.applyUpdate(doc, update, options);
+    return project(options.returnDocument === 'after' ? doc : before, options.projection);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const doc = this.docs.find(d => matches(filter, d));
+    if (!doc) return null;
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return project(doc, options.projection);
+  }
+
+  async deleteOne(filter) {
+    const doc = this.docs.find(d => matches(filter, d));
+    if (!doc) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(d => !matches(filter, d));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+}
+
+// A MongoClient look-alike; every db name shares one set of collections per client.
+// Transactions run their callback without isolation or rollback.
+function createFakeMongoClient() {
+  const collections = new Map();
+  const db = {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new FakeCollection(name));
+      return collections.get(name);
+    },
+    async command() {
+      return { ok: 1 };
+    }
+  };
+  return {
+    async connect() {},
+    async close() {},
+    db: () => db,
+    startSession: () => ({
+      withTransaction: async (fn) => fn(),
+      endSession: async () => {}
+    })
+  };
+}
+
+module.exports = { createFakeMongoClient, FakeCollection };
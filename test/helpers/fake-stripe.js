@@ -0,0 +1,160 @@
+// In-process stand-in for the Stripe API calls the server makes. Objects live in memory and
+// carry the fields the server reads; idempotency keys return the first result like Stripe does.
+// Webhook signing and verification are Stripe's own, so signed test events still verify.
+const Stripe = require('stripe');
+
+function stripeError(code, message) {
+  const error = new Error(message);
+  error.type = 'StripeInvalidRequestError';
+  error.code = code;
+  error.statusCode = code === 'resource_missing' ? 404 : 400;
+  return error;
+}
+
+function createFakeStripe() {
+  const store = {
+    products: new Map(),
+    customers: new Map(),
+    subscriptions: new Map(),
+    paymentIntents: new Map(),
+    refunds: new Map()
+  };
+  const idempotent = new Map();
+  let sequence = 0;
+  const nextId = (prefix) => `${prefix}_test_${++sequence}`;
+  const copy = (value) => structuredClone(value);
+
+  function find(type, id) {
+    const object = store[type].get(id);
+    if (!object) throw stripeError('resource_missing', `No such ${type}: '${id}'`);
+    return object;
+  }
+
+  // Same key, same answer (and no second object)
+  function once(options, create) {
+    const key = options?.idempotencyKey;
+    if (key && idempotent.has(key)) return copy(idempotent.get(key));
+    const object = create();
+    if (key) idempotent.set(key, object);
+    return copy(object);
+  }
+
+  const priceOf = (priceData) => ({
+    id: nextId('price'),
+    currency: priceData.currency,
+    product: priceData.product,
+    unit_amount: priceData.unit_amount,
+    recurring: priceData.recurring
+  });
+
+  const stripe = {
+    webhooks: Stripe('sk_test_unused').webhooks,
+
+    products: {
+      async retrieve(id) {
+        return copy(find('products', id));
+      },
+      async create({ id = nextId('prod'), name }) {
+        if (store.products.has(id)) throw stripeError('resource_already_exists', `Product already exists: ${id}`);
+        store.products.set(id, { id, object: 'product', name });
+        return copy(store.products.get(id));
+      }
+    },
+
+    customers: {
+      async create(params, options) {
+        return once(options, () => {
+          const customer = { id: nextId('cus'), object: 'customer', email: params.email, name: params.name || null, metadata: params.metadata || {} };
+          store.customers.set(customer.id, customer);
+          return customer;
+        });
+      }
+    },
+
+    subscriptions: {
+      async create(params, options) {
+        return once(options, () => {
+          const id = nextId('sub');
+          const paymentIntent = { id: nextId('pi'), object: 'payment_intent', client_secret: `${id}_secret`, status: 'requires_payment_method' };
+          store.paymentIntents.set(paymentIntent.id, paymentIntent);
+          const subscription = {
+            id,
+            object: 'subscription',
+            customer: params.customer,
+            status: 'incomplete',
+            pause_collection: null,
+            cancellation_details: null,
+            current_period_end: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60,
+            metadata: params.metadata || {},
+            items: { data: params.items.map(item => ({ id: nextId('si'), price: priceOf(item.price_data) })) },
+            latest_invoice: { id: nextId('in'), payment_intent: paymentIntent }
+          };
+          store.subscriptions.set(id, subscription);
+          return subscription;
+        });
+      },
+      async retrieve(id) {
+        return copy(find('subscriptions', id));
+      },
+      async update(id, params) {
+        const subscription = find('subscriptions', id);
+        if (subscription.status === 'canceled') throw stripeError('resource_missing', `Subscription ${id} is canceled`);
+        if (params.pause_collection !== undefined) subscription.pause_collection = params.pause_collection || null;
+        for (const item of params.items || []) {
+          const existing = subscription.items.data.find(i => i.id === item.id);
+          if (!existing) throw stripeError('resource_missing', `No such subscription item: '${item.id}'`);
+          existing.price = priceOf(item.price_data);
+        }
+        return copy(subscription);
+      },
+      async cancel(id) {
+        const subscription = find('subscriptions', id);
+        if (subscription.status === 'canceled') throw stripeError('resource_missing', `Subscription ${id} is already canceled`);
+        subscription.status = 'canceled';
+        subscription.cancellation_details = { reason: 'cancellation_requested' };
+        return copy(subscription);
+      }
+    },
+
+    paymentIntents: {
+      async create(params, options) {
+        return once(options, () => {
+          const id = nextId('pi');
+          const intent = { id, object: 'payment_intent', client_secret: `${id}_secret`, status: 'requires_payment_method', ...params };
+          store.paymentIntents.set(id, intent);
+          return intent;
+        });
+      },
+      async retrieve(id) {
+        return copy(find('paymentIntents', id));
+      },
+      async cancel(id) {
+        const intent = find('paymentIntents', id);
+        intent.status = 'canceled';
+        return copy(intent);
+      }
+    },
+
+    refunds: {
+      async create(params, options) {
+        return once(options, () => {
+          const refund = { id: nextId('re'), object: 'refund', payment_intent: params.payment_intent, amount: params.amount ?? null, status: 'succeeded' };
+          store.refunds.set(refund.id, refund);
+          return refund;
+        });
+      }
+    }
+  };
+
+  return {
+    stripe,
+    store,
+    // What Stripe does once the first invoice of a subscription is paid
+    activateSubscription(id) {
+      find('subscriptions', id).status = 'active';
+      return copy(find('subscriptions', id));
+    }
+  };
+}
+
+module.exports = { createFakeStripe };
@@ -0,0 +1,24 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const vercel = require('../vercel.json');
+const { startApp, accessToken } = require('./helpers/app');
+
+let server;
+
+before(async () => {
+  // run() refuses to start on Vercel when a registered job has no cron there
+  server = await startApp({ env: { VERCEL: '1' } });
+});
+
+after(() => server.close());
+
+test('vercel.json runs every registered job on its own schedule', async () => {
+  const response = await server.request('GET', '/admin/jobs', { token: accessToken('admin@example.com', 'admin') });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.scheduler, 'external');
+
+  const crons = new Map(vercel.crons.map(c => [c.path, c.schedule]));
+  for (const job of response.body.jobs) {
+    assert.equal(crons.get(`/jobs/${job.name}/run`), job.schedule, job.name);
+  }
+});
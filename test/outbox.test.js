@@ -0,0 +1,137 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, accessToken } = require('./helpers/app');
+
+// Records what it sends; `failing` makes every send throw like an unreachable SMTP server
+const transporter = {
+  failing: false,
+  sent: [],
+  async sendMail(message) {
+    if (this.failing) throw new Error('SMTP connection refused');
+    this.sent.push(message);
+    return { messageId: `<${this.sent.length}@test>`, response: '250 OK' };
+  }
+};
+
+const admin = accessToken('admin@example.com', 'admin');
+const MINUTE = 60 * 1000;
+let server;
+
+before(async () => {
+  server = await startApp({ transporter });
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  transporter.failing = false;
+  transporter.sent = [];
+  await outbox().deleteMany({});
+});
+
+const outbox = () => server.collection('notificationOutbox');
+const message = (id) => outbox().findOne({ _id: id });
+const runOutbox = () => server.request('POST', '/admin/jobs/outbox/run', { token: admin });
+
+// A message as enqueueNotification stores it
+let keys = 0;
+const queueMessage = async (fields = {}) => (await outbox().insertOne({
+  idempotencyKey: `test:${++keys}`, type: 'test', to: 'someone@example.com', subject: 'Hello', text: 'Hi', html: '<p>Hi</p>', payload: {},
+  status: 'pending', attempts: 0, maxAttempts: 5, nextAttemptAt: new Date(), deliveryLog: [], createdAt: new Date(), updatedAt: new Date(),
+  ...fields
+})).insertedId;
+
+test('a failed send is retried later with a doubling delay', async () => {
+  transporter.failing = true;
+  const id = await queueMessage();
+
+  let startedAt = Date.now();
+  await runOutbox();
+  let doc = await message(id);
+  assert.equal(doc.status, 'pending');
+  assert.equal(doc.attempts, 1);
+  assert.equal(doc.lastError, 'SMTP connection refused');
+  assert.ok(Math.abs(doc.nextAttemptAt - (startedAt + MINUTE)) < 5000, 'first retry after a minute');
+
+  // not due yet: the next run leaves it alone
+  await runOutbox();
+  assert.equal((await message(id)).attempts, 1);
+
+  await outbox().updateOne({ _id: id }, { $set: { nextAttemptAt: new Date(Date.now() - 1000) } });
+  startedAt = Date.now();
+  await runOutbox();
+  doc = await message(id);
+  assert.equal(doc.attempts, 2);
+  assert.ok(Math.abs(doc.nextAttemptAt - (startedAt + 2 * MINUTE)) < 5000, 'second retry after two minutes');
+  assert.deepEqual(doc.deliveryLog.map(entry => entry.success), [false, false]);
+});
+
+test('the last allowed attempt failing marks the message failed', async () => {
+  transporter.failing = true;
+  const id = await queueMessage({ attempts: 4 });
+  const response = await runOutbox();
+  assert.deepEqual(response.body.counts, { sent: 0, failed: 1 });
+
+  const doc = await message(id);
+  assert.equal(doc.status, 'failed');
+  assert.equal(doc.attempts, 5);
+
+  // failed messages are not picked up again
+  await outbox().updateOne({ _id: id }, { $set: { nextAttemptAt: new Date(0) } });
+  await runOutbox();
+  assert.equal((await message(id)).attempts, 5);
+});
+
+test('the same idempotency key is queued and sent only once', async () => {
+  const petId = (await server.collection('pet').insertOne({
+    pet_name: 'Buddy', email: 'owner@example.com', species: 'dog', adopted: true, status: 'approved', deletedAt: null,
+    // due again in two days
+    vaccinations: [{ vaccineType: 'Rabies', date: new Date(Date.now() - 363 * 24 * 60 * MINUTE).toISOString().slice(0, 10), doseNumber: 1 }]
+  })).insertedId;
+  await server.collection('adoptionRequest').insertOne({ petId: petId.toString(), adopterEmail: 'adopter@example.com', ownerEmail: 'owner@example.com', status: 'approved' });
+
+  const first = await server.request('POST', '/admin/jobs/vaccination-reminders/run', { token: admin });
+  const second = await server.request('POST', '/admin/jobs/vaccination-reminders/run', { token: admin });
+  assert.equal(first.body.counts.enqueued, 1);
+  assert.equal(second.body.counts.enqueued, 0);
+  assert.equal(second.body.counts.duplicates, 1);
+
+  assert.equal(await outbox().countDocuments({}), 1);
+  assert.equal(transporter.sent.length, 1);
+  assert.equal(transporter.sent[0].to, 'adopter@example.com');
+});
+
+test('an admin retry re-sends a failed message with a fresh attempt budget', async () => {
+  const id = await queueMessage({ status: 'failed', attempts: 5, lastError: 'SMTP connection refused', nextAttemptAt: new Date(Date.now() + 60 * MINUTE) });
+
+  const response = await server.request('PUT', `/outbox/retry/${id}`, { token: admin });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.delivery, { sent: 1, failed: 0 });
+
+  const doc = await message(id);
+  assert.equal(doc.status, 'sent');
+  assert.equal(doc.attempts, 1);
+  assert.equal(doc.lastError, undefined);
+
+  // a sent message can't be retried again
+  assert.equal((await server.request('PUT', `/outbox/retry/${id}`, { token: admin })).status, 409);
+});
+
+test('a cancelled message is never sent', async () => {
+  transporter.failing = true;
+  const id = await queueMessage();
+  await runOutbox();
+
+  const response = await server.request('PUT', `/outbox/cancel/${id}`, { token: admin });
+  assert.equal(response.status, 200);
+  assert.equal((await message(id)).cancelledBy, 'admin@example.com');
+
+  transporter.failing = false;
+  await outbox().updateOne({ _id: id }, { $set: { nextAttemptAt: new Date(0) } });
+  await runOutbox();
+  assert.equal((await message(id)).status, 'cancelled');
+  assert.equal(transporter.sent.length, 0);
+
+  // only pending or failed messages can be cancelled
+  assert.equal((await server.request('PUT', `/outbox/cancel/${id}`, { token: admin })).status, 409);
+});
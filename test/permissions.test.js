@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp, accessToken } = require('./helpers/app');
+
+const owner = 'owner@example.com';
+const stranger = 'stranger@example.com';
+let server;
+let petId;
+let adoptionId;
+let campaignId;
+let userId;
+
+before(async () => {
+  server = await startApp();
+  petId = (await server.collection('pet').insertOne({ pet_name: 'Buddy', email: owner, status: 'approved', purpose: 'pet', deletedAt: null })).insertedId;
+  adoptionId = (await server.collection('adoptionRequest').insertOne({ petId: petId.toString(), ownerEmail: owner, adopterEmail: 'adopter@example.com', status: 'submitted' })).insertedId;
+  campaignId = (await server.collection('donates').insertOne({ petName: 'Buddy', email: owner, maxDonation: 100, donatedAmount: 0, status: 'active', deletedAt: null })).insertedId;
+  userId = (await server.collection('user').insertOne({ email: owner, role: 'user', deletedAt: null })).insertedId;
+});
+
+after(() => server.close());
+
+// Every refusal uses the same envelope, whichever rule produced it
+function assertForbidden(response) {
+  assert.equal(response.status, 403);
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.code, 'forbidden');
+  assert.equal(response.body.message, 'forbidden access');
+  assert.ok(response.body.requestId);
+}
+
+const strangerCases = [
+  ['owner rule (pet)', 'PATCH', () => `/updatePet/${petId}`, { pet_name: 'Mine now' }],
+  ['owner rule (adoption request for my pet)', 'PUT', () => `/adoption/accept/${adoptionId}`, undefined],
+  ['owner rule (campaign)', 'PATCH', () => `/donation-camp/pause/${campaignId}`, undefined],
+  ['admin rule', 'PATCH', () => `/users/admin/${userId}`, undefined],
+  ['self rule (path email)', 'GET', () => `/donation-camps/${owner}`, undefined],
+  ['self rule (body email)', 'POST', () => '/donation-camp', { email: owner, petName: 'Buddy', maxDonation: 50, lastDate: '2099-01-01' }]
+];
+
+for (const [name, method, path, body] of strangerCases) {
+  test(`${name}: ${method} with a stranger's token is refused`, async () => {
+    assertForbidden(await server.request(method, path(), { token: accessToken(stranger), body }));
+  });
+}
+
+test('the owner passes the same owner rules', async () => {
+  const token = accessToken(owner);
+  const response = await server.request('PATCH', `/donation-camp/pause/${campaignId}`, { token });
+  assert.equal(response.status, 200);
+  assert.equal((await server.collection('donates').findOne({ _id: campaignId })).pause, true);
+});
+
+test('an admin passes owner rules on other people\'s resources', async () => {
+  const response = await server.request('PATCH', `/donation-camp/unpause/${campaignId}`, { token: accessToken('admin@example.com', 'admin') });
+  assert.equal(response.status, 200);
+});
+
+test('a missing resource is a 404, not a 403', async () => {
+  const response = await server.request('PATCH', `/updatePet/${new ObjectId()}`, { token: accessToken(stranger), body: { pet_name: 'Ghost' } });
+  assert.equal(response.status, 404);
+});
+
+test('no token is a 401', async () => {
+  const response = await server.request('PATCH', `/updatePet/${petId}`, { body: { pet_name: 'Anon' } });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.code, 'unauthorized');
+});
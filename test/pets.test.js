@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, accessToken } = require('./helpers/app');
+
+const owner = 'owner@example.com';
+const token = accessToken(owner);
+let server;
+
+before(async () => {
+  server = await startApp();
+});
+
+after(() => server.close());
+
+const pets = () => server.collection('pet');
+const addPet = async (fields = {}) => (await pets().insertOne({
+  pet_name: 'Buddy', email: owner, status: 'approved', purpose: 'pet', adopted: false, deletedAt: null, ...fields
+})).insertedId;
+const updatePet = (id, body) => server.request('PATCH', `/updatePet/${id}`, { token, body });
+
+test('switching a listing to sell without a price is refused like on create', async () => {
+  const id = await addPet();
+  const response = await updatePet(id, { purpose: 'sell' });
+  assert.equal(response.status, 400);
+  assert.equal((await pets().findOne({ _id: id })).purpose, 'pet');
+});
+
+test('a sell listing cannot drop its price to zero', async () => {
+  const id = await addPet({ purpose: 'sell', price: 300 });
+  assert.equal((await updatePet(id, { price: 0 })).status, 400);
+
+  const response = await updatePet(id, { price: '250' });
+  assert.equal(response.status, 200);
+  assert.equal((await pets().findOne({ _id: id })).price, 250);
+});
+
+test('sold and adopted pets cannot be edited', async () => {
+  for (const fields of [{ purpose: 'sell', price: 300, sold: true, soldTo: 'buyer@example.com' }, { adopted: true }]) {
+    const id = await addPet(fields);
+    const response = await updatePet(id, { pet_name: 'Renamed' });
+    assert.equal(response.status, 409);
+    assert.equal((await pets().findOne({ _id: id })).pet_name, 'Buddy');
+  }
+});
+
+test('a pet reserved by a buyer cannot be edited until the reservation lapses', async () => {
+  const reservation = (minutes) => ({ buyerEmail: 'buyer@example.com', reservedAt: new Date(), expiresAt: new Date(Date.now() + minutes * 60000), paymentIntentId: null });
+  const reserved = await addPet({ purpose: 'sell', price: 300, reservation: reservation(10) });
+  assert.equal((await updatePet(reserved, { price: 1 })).status, 409);
+  assert.equal((await pets().findOne({ _id: reserved })).price, 300);
+
+  const lapsed = await addPet({ purpose: 'sell', price: 300, reservation: reservation(-10) });
+  assert.equal((await updatePet(lapsed, { price: 280 })).status, 200);
+});
+
+test('editing the description of an approved pet sends it back to review; editing the price does not', async () => {
+  const id = await addPet({ purpose: 'sell', price: 300 });
+
+  const priced = await updatePet(id, { price: 320 });
+  assert.equal(priced.body.resubmitted, false);
+  assert.equal((await pets().findOne({ _id: id })).status, 'approved');
+
+  const described = await updatePet(id, { long_description: 'Now with a very different story' });
+  assert.equal(described.body.resubmitted, true);
+  const pet = await pets().findOne({ _id: id });
+  assert.equal(pet.status, 'pending');
+  assert.deepEqual(pet.moderationHistory.at(-1).fields, ['long_description']);
+});
+
+test('vaccinations can be replaced on a live pet but not on a deleted one', async () => {
+  const vaccinations = [{ vaccineType: 'Rabies', date: '2026-01-10', doseNumber: 1 }];
+  const id = await addPet();
+  const response = await server.request('PATCH', `/pet/${id}/vaccinations`, { token, body: { vaccinations } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { success: true });
+  assert.equal((await pets().findOne({ _id: id })).vaccinations.length, 1);
+
+  const deleted = await addPet({ deletedAt: new Date() });
+  assert.equal((await server.request('PATCH', `/pet/${deleted}/vaccinations`, { token, body: { vaccinations } })).status, 404);
+});
+
+test('vaccinations of sold, adopted or reserved pets cannot be replaced by the lister', async () => {
+  const vaccinations = [{ vaccineType: 'Rabies', date: '2026-01-10', doseNumber: 1 }];
+  const reservation = { buyerEmail: 'buyer@example.com', reservedAt: new Date(), expiresAt: new Date(Date.now() + 10 * 60000), paymentIntentId: null };
+  for (const fields of [{ purpose: 'sell', price: 300, sold: true, soldTo: 'buyer@example.com' }, { adopted: true }, { purpose: 'sell', price: 300, reservation }]) {
+    const id = await addPet(fields);
+    const response = await server.request('PATCH', `/pet/${id}/vaccinations`, { token, body: { vaccinations } });
+    assert.equal(response.status, 409);
+    assert.equal((await pets().findOne({ _id: id })).vaccinations, undefined);
+  }
+});
+
+test('the listing filters on a purpose and refuses query operators in its parameters', async () => {
+  const forSale = await addPet({ purpose: 'sell', price: 300, pet_name: 'Listed' });
+  const listed = await server.request('GET', '/pets?purpose=sell&limit=50');
+  assert.equal(listed.status, 200);
+  assert.ok(listed.body.pets.some(pet => pet._id === forSale.toString()));
+  assert.ok(listed.body.pets.every(pet => pet.purpose === 'sell'));
+
+  for (const query of ['purpose[$ne]=zzz', 'purpose=adopt', 'species[$regex]=.*', 'location[$gt]=', 'sort[$ne]=x', 'sort=constructor']) {
+    const response = await server.request('GET', `/pets?${query}`);
+    assert.equal(response.status, 400, query);
+    assert.equal(response.body.code, 'validation_failed', query);
+  }
+});
@@ -0,0 +1,153 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp, accessToken } = require('./helpers/app');
+const { createFakeStripe } = require('./helpers/fake-stripe');
+
+const fake = createFakeStripe();
+let server;
+
+before(async () => {
+  server = await startApp({ stripe: fake.stripe });
+});
+
+after(() => server.close());
+
+const addCampaign = async (fields = {}) => (await server.collection('donates').insertOne({
+  petName: 'Buddy', email: 'owner@example.com', maxDonation: 1000, donatedAmount: 0, status: 'active', pause: false,
+  moderationStatus: 'approved', lastDate: '2099-12-31', deletedAt: null, ...fields
+})).insertedId.toString();
+
+function sendEvent(event) {
+  const payload = JSON.stringify(event);
+  const signature = fake.stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+  return server.request('POST', '/stripe/webhook', { body: payload, headers: { 'stripe-signature': signature } });
+}
+
+let eventCount = 0;
+const subscriptionUpdated = (subscription) => sendEvent({ id: `evt_sub_${++eventCount}`, type: 'customer.subscription.updated', data: { object: subscription } });
+
+const pledgeRequest = (email, body) => server.request('POST', '/pledges', { token: accessToken(email), body });
+const pledgeOf = (id) => server.collection('pledges').findOne({ _id: new ObjectId(id) });
+const campaignOf = (id) => server.collection('donates').findOne({ _id: new ObjectId(id) });
+
+// A pledge whose first payment went through
+async function activePledge(email, postId, amount = 10) {
+  const response = await pledgeRequest(email, { amount, postId });
+  assert.equal(response.status, 201);
+  const pledge = response.body.pledge;
+  await subscriptionUpdated(fake.activateSubscription(pledge.stripeSubscriptionId));
+  return { ...pledge, status: 'active' };
+}
+
+test('POST /pledges starts a monthly subscription and refuses a second open pledge', async () => {
+  const postId = await addCampaign();
+  const response = await pledgeRequest('donor@example.com', { amount: 12.5, postId, donorName: 'Dee' });
+  assert.equal(response.status, 201);
+  const { pledge, clientSecret } = response.body;
+  assert.equal(pledge.status, 'incomplete');
+  assert.equal(pledge.amount, 12.5);
+  assert.ok(clientSecret);
+
+  const subscription = fake.store.subscriptions.get(pledge.stripeSubscriptionId);
+  assert.equal(subscription.items.data[0].price.unit_amount, 1250);
+  assert.equal(subscription.items.data[0].price.recurring.interval, 'month');
+  assert.equal(subscription.metadata.pledgeId, pledge._id);
+  assert.equal(subscription.customer, pledge.stripeCustomerId);
+
+  await subscriptionUpdated(fake.activateSubscription(pledge.stripeSubscriptionId));
+  const again = await pledgeRequest('donor@example.com', { amount: 20, postId });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'duplicate_pledge');
+});
+
+test('an unpaid first attempt is replaced by a new pledge', async () => {
+  const postId = await addCampaign();
+  const first = (await pledgeRequest('retry@example.com', { amount: 10, postId })).body.pledge;
+  const second = await pledgeRequest('retry@example.com', { amount: 15, postId });
+  assert.equal(second.status, 201);
+  assert.equal(fake.store.subscriptions.get(first.stripeSubscriptionId).status, 'canceled');
+  assert.equal(await server.collection('pledges').countDocuments({ email: 'retry@example.com', status: { $ne: 'canceled' } }), 1);
+});
+
+test('a pledge can be paused, resumed and given a new amount', async () => {
+  const postId = await addCampaign();
+  const pledge = await activePledge('steady@example.com', postId);
+  const token = accessToken('steady@example.com');
+  const subscription = () => fake.store.subscriptions.get(pledge.stripeSubscriptionId);
+
+  const paused = await server.request('POST', `/pledges/${pledge._id}/pause`, { token });
+  assert.equal(paused.status, 200);
+  assert.equal(paused.body.status, 'paused');
+  assert.deepEqual(subscription().pause_collection, { behavior: 'void' });
+
+  const resumed = await server.request('POST', `/pledges/${pledge._id}/resume`, { token });
+  assert.equal(resumed.body.status, 'active');
+  assert.equal(subscription().pause_collection, null);
+
+  const changed = await server.request('PATCH', `/pledges/${pledge._id}`, { token, body: { amount: 25 } });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.amount, 25);
+  assert.equal(subscription().items.data[0].price.unit_amount, 2500);
+});
+
+test('each paid invoice records one donation, also when the event is redelivered', async () => {
+  const postId = await addCampaign();
+  const pledge = await activePledge('monthly@example.com', postId, 10);
+  const invoice = (id) => ({
+    id, object: 'invoice', subscription: pledge.stripeSubscriptionId, amount_paid: 1000, currency: 'usd', payment_intent: `pi_${id}`,
+    subscription_details: { metadata: { pledgeId: pledge._id } }
+  });
+
+  assert.equal((await sendEvent({ id: 'evt_inv_1', type: 'invoice.paid', data: { object: invoice('in_1') } })).status, 200);
+  assert.equal((await sendEvent({ id: 'evt_inv_1', type: 'invoice.paid', data: { object: invoice('in_1') } })).body.duplicate, true);
+  await sendEvent({ id: 'evt_inv_1_again', type: 'invoice.paid', data: { object: invoice('in_1') } });
+  await sendEvent({ id: 'evt_inv_2', type: 'invoice.paid', data: { object: invoice('in_2') } });
+
+  const donations = await server.collection('donations').find({ pledgeId: pledge._id }).toArray();
+  assert.deepEqual(donations.map(d => d.invoiceId).sort(), ['in_1', 'in_2']);
+  assert.equal((await campaignOf(postId)).donatedAmount, 20);
+
+  const stored = await pledgeOf(pledge._id);
+  assert.equal(stored.totalDonated, 20);
+  assert.equal(stored.paymentsCount, 2);
+});
+
+test('closing a campaign cancels its pledges', async () => {
+  const postId = await addCampaign();
+  const pledge = await activePledge('loyal@example.com', postId);
+  await server.collection('donates').updateOne({ _id: new ObjectId(postId) }, { $set: { lastDate: '2000-01-01' } });
+
+  const run = await server.request('POST', '/admin/jobs/close-campaigns/run', { token: accessToken('admin@example.com', 'admin') });
+  assert.equal(run.status, 200);
+  assert.equal(run.body.success, true);
+
+  assert.equal((await campaignOf(postId)).status, 'closed');
+  const stored = await pledgeOf(pledge._id);
+  assert.equal(stored.status, 'canceled');
+  assert.equal(stored.cancelReason, 'deadline');
+  assert.equal(fake.store.subscriptions.get(pledge.stripeSubscriptionId).status, 'canceled');
+});
+
+test('pausing a campaign pauses its pledges; resuming it resumes only those', async () => {
+  const postId = await addCampaign();
+  const following = await activePledge('follows@example.com', postId);
+  const ownPause = await activePledge('own.pause@example.com', postId);
+  await server.request('POST', `/pledges/${ownPause._id}/pause`, { token: accessToken('own.pause@example.com') });
+  const owner = accessToken('owner@example.com');
+
+  const paused = await server.request('PATCH', `/donation-camp/pause/${postId}`, { token: owner });
+  assert.equal(paused.body.pausedPledges, 1);
+  assert.equal((await pledgeOf(following._id)).status, 'paused');
+  assert.deepEqual(fake.store.subscriptions.get(following.stripeSubscriptionId).pause_collection, { behavior: 'void' });
+
+  // the donor can't resume while the campaign is paused
+  const resume = await server.request('POST', `/pledges/${following._id}/resume`, { token: accessToken('follows@example.com') });
+  assert.equal(resume.status, 409);
+
+  const resumed = await server.request('PATCH', `/donation-camp/unpause/${postId}`, { token: owner });
+  assert.equal(resumed.body.resumedPledges, 1);
+  assert.equal((await pledgeOf(following._id)).status, 'active');
+  assert.equal(fake.store.subscriptions.get(following.stripeSubscriptionId).pause_collection, null);
+  assert.equal((await pledgeOf(ownPause._id)).status, 'paused');
+});
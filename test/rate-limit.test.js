@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, accessToken } = require('./helpers/app');
+
+const owner = 'owner@example.com';
+let server;
+
+before(async () => {
+  server = await startApp({
+    env: {
+      RATE_LIMIT_STORE: 'memory',
+      RATE_LIMIT_AUTH_IP: '2',
+      RATE_LIMIT_ADOPTION_USER: '3'
+    }
+  });
+});
+
+after(() => server.close());
+
+const addPet = async () => (await server.collection('pet').insertOne({
+  pet_name: 'Buddy', email: owner, status: 'approved', purpose: 'pet', adopted: false, deletedAt: null
+})).insertedId.toString();
+const requestAdoption = (email, petId) => server.request('POST', '/adoption', { token: accessToken(email), body: { petId, adopterName: 'Ada' } });
+
+test('the auth bucket answers 429 with Retry-After once the IP limit is used up', async () => {
+  const login = () => server.request('POST', '/jwt', { body: { idToken: 'fake:limited@example.com' } });
+
+  const first = await login();
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('ratelimit-limit'), '2');
+  assert.equal(first.headers.get('ratelimit-remaining'), '1');
+  assert.equal(first.headers.get('ratelimit-policy'), '2;w=900');
+  assert.equal(first.headers.get('retry-after'), null);
+
+  assert.equal((await login()).status, 200);
+
+  const limited = await login();
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'too_many_requests');
+  assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+  const retryAfter = Number(limited.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 900, `Retry-After ${retryAfter}`);
+  assert.equal(limited.headers.get('ratelimit-reset'), String(retryAfter));
+});
+
+test('the per-user limit applies to each user separately', async () => {
+  const petIds = await Promise.all([1, 2, 3, 4].map(addPet));
+  for (const petId of petIds.slice(0, 3)) assert.equal((await requestAdoption('busy@example.com', petId)).status, 200);
+
+  const limited = await requestAdoption('busy@example.com', petIds[3]);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+
+  assert.equal((await requestAdoption('calm@example.com', petIds[3])).status, 200);
+});
+
+test('a second open adoption request for the same pet is a 409 duplicate_request', async () => {
+  const petId = await addPet();
+  assert.equal((await requestAdoption('twice@example.com', petId)).status, 200);
+
+  const again = await requestAdoption('twice@example.com', petId);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'duplicate_request');
+  assert.equal(await server.collection('adoptionRequest').countDocuments({ petId, adopterEmail: 'twice@example.com' }), 1);
+});
+
+test('two simultaneous submits create one request', async () => {
+  const petId = await addPet();
+  const responses = await Promise.all([requestAdoption('double@example.com', petId), requestAdoption('double@example.com', petId)]);
+  assert.deepEqual(responses.map(r => r.status).sort(), [200, 409]);
+  assert.equal(responses.find(r => r.status === 409).body.code, 'duplicate_request');
+  assert.equal(await server.collection('adoptionRequest').countDocuments({ petId, adopterEmail: 'double@example.com' }), 1);
+});
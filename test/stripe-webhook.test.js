@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { createFakeStripe } = require('./helpers/fake-stripe');
+
+const fake = createFakeStripe();
+const stripe = fake.stripe;
+let server;
+let campaignId;
+
+before(async () => {
+  server = await startApp({ stripe });
+  campaignId = (await server.collection('donates').insertOne({
+    petName: 'Buddy', email: 'owner@example.com', maxDonation: 1000, donatedAmount: 0, status: 'active', deletedAt: null
+  })).insertedId;
+});
+
+after(() => server.close());
+
+// Signs the event the way Stripe does, with the webhook secret the server is configured with
+function sendEvent(event, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  return server.request('POST', '/stripe/webhook', { body: payload, headers: { 'stripe-signature': signature } });
+}
+
+const donationIntent = (id, amount) => ({
+  id,
+  object: 'payment_intent',
+  status: 'succeeded',
+  amount,
+  amount_received: amount,
+  currency: 'usd',
+  metadata: { kind: 'donation', postId: campaignId.toString(), donorEmail: 'donor@example.com', donorName: 'Dee' }
+});
+
+const campaign = () => server.collection('donates').findOne({ _id: campaignId });
+
+test('an event signed with another secret is refused with 400', async () => {
+  const response = await sendEvent({ id: 'evt_forged', type: 'payment_intent.succeeded', data: { object: donationIntent('pi_forged', 5000) } }, { secret: 'whsec_wrong' });
+  assert.equal(response.status, 400);
+  assert.equal(await server.collection('donations').countDocuments({ paymentIntentId: 'pi_forged' }), 0);
+});
+
+test('a missing signature is refused with 400', async () => {
+  const response = await server.request('POST', '/stripe/webhook', { body: { id: 'evt_unsigned', type: 'payment_intent.succeeded' } });
+  assert.equal(response.status, 400);
+});
+
+test('payment_intent.succeeded records the donation once, also when the event is redelivered', async () => {
+  const event = { id: 'evt_paid_1', type: 'payment_intent.succeeded', data: { object: donationIntent('pi_1', 2500) } };
+
+  const first = await sendEvent(event);
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body, { received: true });
+
+  const redelivered = await sendEvent(event);
+  assert.equal(redelivered.status, 200);
+  assert.equal(redelivered.body.duplicate, true);
+
+  // a second event about the same PaymentIntent is a no-op as well
+  const sameIntent = await sendEvent({ ...event, id: 'evt_paid_1_again' });
+  assert.equal(sameIntent.status, 200);
+
+  assert.equal(await server.collection('donations').countDocuments({ paymentIntentId: 'pi_1' }), 1);
+  assert.equal((await campaign()).donatedAmount, 25);
+});
+
+test('charge.refunded lowers the campaign total only once', async () => {
+  await sendEvent({ id: 'evt_paid_2', type: 'payment_intent.succeeded', data: { object: donationIntent('pi_2', 4000) } });
+  assert.equal((await campaign()).donatedAmount, 65);
+
+  const charge = { id: 'ch_2', object: 'charge', payment_intent: 'pi_2', amount: 4000, amount_refunded: 1000 };
+  const event = { id: 'evt_refund_2', type: 'charge.refunded', data: { object: charge } };
+  assert.equal((await sendEvent(event)).status, 200);
+  assert.equal((await campaign()).donatedAmount, 55);
+
+  // the same event redelivered, and a new event reporting the same refunded total
+  assert.equal((await sendEvent(event)).body.duplicate, true);
+  assert.equal((await sendEvent({ ...event, id: 'evt_refund_2_again' })).status, 200);
+  assert.equal((await campaign()).donatedAmount, 55);
+
+  const donation = await server.collection('donations').findOne({ paymentIntentId: 'pi_2' });
+  assert.equal(donation.status, 'partially_refunded');
+  assert.equal(donation.refundedAmount, 10);
+});
+
+test('refunding a late payer leaves the pet sold; refunding the buyer puts it back on sale', async () => {
+  const petId = (await server.collection('pet').insertOne({
+    pet_name: 'Rex', email: 'owner@example.com', sold: true, soldTo: 'first@example.com', soldAt: new Date(), soldPaymentIntentId: 'pi_won', deletedAt: null
+  })).insertedId;
+  await server.collection('purchases').insertMany([
+    { paymentIntentId: 'pi_won', petId: petId.toString(), buyerEmail: 'first@example.com', price: 300, status: 'succeeded', refundedAmount: 0 },
+    { paymentIntentId: 'pi_late', petId: petId.toString(), buyerEmail: 'late@example.com', price: 300, status: 'refunded', refundedAmount: 300, refundReason: 'pet already sold' }
+  ]);
+  const refunded = (id) => ({ id: `ch_${id}`, object: 'charge', payment_intent: id, amount: 30000, amount_refunded: 30000 });
+  const pet = () => server.collection('pet').findOne({ _id: petId });
+
+  await sendEvent({ id: 'evt_refund_late', type: 'charge.refunded', data: { object: refunded('pi_late') } });
+  assert.equal((await pet()).sold, true);
+  assert.equal((await pet()).soldTo, 'first@example.com');
+
+  await sendEvent({ id: 'evt_refund_won', type: 'charge.refunded', data: { object: refunded('pi_won') } });
+  const relisted = await pet();
+  assert.equal(relisted.sold, false);
+  assert.equal(relisted.soldTo, undefined);
+  assert.equal(relisted.soldAt, undefined);
+  assert.equal(relisted.soldPaymentIntentId, undefined);
+});
+
+test('a late payment for a sold pet is refunded once, and retried while the refund is pending', async () => {
+  const petId = (await server.collection('pet').insertOne({ pet_name: 'Max', email: 'owner@example.com', purpose: 'sell', price: 200, status: 'approved', deletedAt: null })).insertedId;
+  const purchaseIntent = (id, buyerEmail) => ({
+    id, object: 'payment_intent', status: 'succeeded', amount: 20000, amount_received: 20000, currency: 'usd',
+    metadata: { kind: 'purchase', petId: petId.toString(), buyerEmail }
+  });
+  const purchase = (id) => server.collection('purchases').findOne({ paymentIntentId: id });
+
+  await sendEvent({ id: 'evt_max_first', type: 'payment_intent.succeeded', data: { object: purchaseIntent('pi_max_first', 'first@example.com') } });
+  assert.equal((await server.collection('pet').findOne({ _id: petId })).soldPaymentIntentId, 'pi_max_first');
+
+  // Stripe is down for the first attempt at refunding the late payer
+  const createRefund = stripe.refunds.create;
+  stripe.refunds.create = async () => { throw new Error('Stripe unavailable'); };
+  const late = { id: 'evt_max_late', type: 'payment_intent.succeeded', data: { object: purchaseIntent('pi_max_late', 'late@example.com') } };
+  assert.equal((await sendEvent(late)).status, 500);
+  assert.equal((await purchase('pi_max_late')).status, 'refund_pending');
+  stripe.refunds.create = createRefund;
+
+  // Stripe's retry of the event finishes the refund; later deliveries don't refund again
+  assert.equal((await sendEvent(late)).status, 200);
+  assert.equal((await sendEvent({ ...late, id: 'evt_max_late_again' })).status, 200);
+  const refunds = [...fake.store.refunds.values()].filter(r => r.payment_intent === 'pi_max_late');
+  assert.equal(refunds.length, 1);
+
+  const refunded = await purchase('pi_max_late');
+  assert.equal(refunded.status, 'refunded');
+  assert.equal(refunded.refundId, refunds[0].id);
+  assert.equal(refunded.refundReason, 'pet already sold');
+  const pet = await server.collection('pet').findOne({ _id: petId });
+  assert.equal(pet.soldTo, 'first@example.com');
+  assert.equal(pet.soldPaymentIntentId, 'pi_max_first');
+});
+
+test('event types without a handler are acknowledged and ignored', async () => {
+  const response = await sendEvent({ id: 'evt_other', type: 'customer.created', data: { object: {} } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.ignored, true);
+});
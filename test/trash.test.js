@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { startApp, accessToken } = require('./helpers/app');
+
+const admin = accessToken('admin@example.com', 'admin');
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pawpalace-trash-'));
+const DAY = 24 * 60 * 60 * 1000;
+let server;
+
+before(async () => {
+  server = await startApp({ env: { UPLOAD_DIR: uploadDir } });
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+const addUser = async (email) => (await server.collection('user').insertOne({ email, name: 'Olive', role: 'user', deletedAt: null })).insertedId.toString();
+const addPet = async (email, fields = {}) => (await server.collection('pet').insertOne({
+  pet_name: 'Buddy', email, status: 'approved', purpose: 'pet', adopted: false, deletedAt: null, ...fields
+})).insertedId.toString();
+const addRequest = async (petId, adopterEmail) => (await server.collection('adoptionRequest').insertOne({
+  petId, adopterEmail, ownerEmail: 'owner@example.com', status: 'submitted', history: []
+})).insertedId;
+const find = (name, id) => server.collection(name).findOne({ _id: new ObjectId(id) });
+const restore = (type, id) => server.request('POST', `/admin/trash/${type}/${id}/restore`, { token: admin });
+
+test('deleting a pet closes its open adoption requests', async () => {
+  const petId = await addPet('owner@example.com');
+  const open = await addRequest(petId, 'hopeful@example.com');
+
+  const response = await server.request('DELETE', `/pet/${petId}`, { token: accessToken('owner@example.com') });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.closedRequests, 1);
+
+  const request = await find('adoptionRequest', open);
+  assert.equal(request.status, 'closed');
+  assert.equal(request.history.at(-1).reason, 'The pet listing was deleted');
+  assert.ok((await find('pet', petId)).deletedAt);
+});
+
+test('restoring an account brings back what was deleted with it, but not those items alone', async () => {
+  const userId = await addUser('leaving@example.com');
+  const petId = await addPet('leaving@example.com');
+  const campaignId = (await server.collection('donates').insertOne({
+    petName: 'Buddy', email: 'leaving@example.com', maxDonation: 100, donatedAmount: 0, status: 'active', deletedAt: null
+  })).insertedId.toString();
+
+  const deleted = await server.request('DELETE', `/users/${userId}`, { token: admin });
+  assert.equal(deleted.body.pets, 1);
+  assert.equal(deleted.body.campaigns, 1);
+  assert.equal((await find('pet', petId)).deletedWith, `user:${userId}`);
+
+  const alone = await restore('pet', petId);
+  assert.equal(alone.status, 409);
+  assert.match(alone.body.message, /restore the account instead/);
+  assert.ok((await find('pet', petId)).deletedAt);
+
+  const restored = await restore('user', userId);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.pets, 1);
+  assert.equal(restored.body.campaigns, 1);
+  for (const [name, id] of [['user', userId], ['pet', petId], ['donates', campaignId]]) {
+    const doc = await find(name, id);
+    assert.equal(doc.deletedAt, undefined, name);
+    assert.equal(doc.deletedWith, undefined, name);
+  }
+});
+
+test('purging a pet removes its media, threads, messages and favorites', async () => {
+  const photo = { id: 'p1', key: 'pets/purged.webp', thumbnailKey: 'pets/purged-thumb.webp' };
+  fs.mkdirSync(path.join(uploadDir, 'pets'), { recursive: true });
+  for (const key of [photo.key, photo.thumbnailKey]) fs.writeFileSync(path.join(uploadDir, key), 'image');
+
+  const petId = await addPet('owner@example.com', { photos: [photo], deletedAt: new Date(Date.now() - 40 * DAY), deletedBy: 'owner@example.com' });
+  const keptId = await addPet('owner@example.com', { deletedAt: new Date(Date.now() - DAY) });
+  const threadId = (await server.collection('threads').insertOne({ key: `inquiry:${petId}:buyer@example.com`, petId, participants: [] })).insertedId;
+  await server.collection('messages').insertOne({ threadId, body: 'Still available?' });
+  await server.collection('favorites').insertOne({ email: 'fan@example.com', petId });
+  await server.collection('medicalRecords').insertOne({ petId, type: 'checkup' });
+
+  const run = await server.request('POST', '/admin/jobs/trash-purge/run', { token: admin });
+  assert.equal(run.status, 200);
+  assert.equal(run.body.success, true);
+
+  assert.equal(await find('pet', petId), null);
+  assert.ok(await find('pet', keptId), 'still inside the retention period');
+  assert.equal(await server.collection('threads').countDocuments({ petId }), 0);
+  assert.equal(await server.collection('messages').countDocuments({ threadId }), 0);
+  assert.equal(await server.collection('favorites').countDocuments({ petId }), 0);
+  assert.equal(await server.collection('medicalRecords').countDocuments({ petId }), 0);
+  for (const key of [photo.key, photo.thumbnailKey]) assert.equal(fs.existsSync(path.join(uploadDir, key)), false, key);
+});